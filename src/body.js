@@ -0,0 +1,58 @@
+const { Readable } = require('node:stream');
+
+// Strings, buffers, blobs and form data can be sent again. Streams can only be read once.
+const isStream = (body) => !!body && (
+  typeof body.pipe === 'function' ||
+  typeof body.getReader === 'function' ||
+  typeof body[Symbol.asyncIterator] === 'function'
+);
+
+const toBuffer = (chunk) => {
+  if (ArrayBuffer.isView(chunk)) {
+    return Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+  }
+  return Buffer.from(chunk);
+};
+
+/**
+ * Makes a request body safe to send more than once, by reading streams into a buffer.
+ * Streams larger than the limit are not buffered, they are re-assembled into a stream that can be sent once.
+ * @param {*} body
+ * @param {number} limit - maximum number of bytes to buffer
+ * @returns {Promise<{ body: *, replayable: boolean }>}
+ */
+const getReplayableBody = async (body, limit) => {
+  if (!isStream(body)) {
+    return { body, replayable: true };
+  }
+
+  if (!limit || typeof body[Symbol.asyncIterator] !== 'function') {
+    return { body, replayable: false };
+  }
+
+  const iterator = body[Symbol.asyncIterator]();
+  const chunks = [];
+  let size = 0;
+  let next = await iterator.next();
+  while (!next.done) {
+    const chunk = toBuffer(next.value);
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size > limit) {
+      const rest = async function* () {
+        yield* chunks;
+        for (let item = await iterator.next(); !item.done; item = await iterator.next()) {
+          yield toBuffer(item.value);
+        }
+      };
+      return { body: Readable.from(rest()), replayable: false };
+    }
+    next = await iterator.next();
+  }
+
+  return { body: Buffer.concat(chunks), replayable: true };
+};
+
+module.exports = {
+  getReplayableBody,
+};
@@ -0,0 +1,122 @@
+// Set-Cookie parsing, following https://www.rfc-editor.org/rfc/rfc6265#section-5.2
+
+// A comma only separates cookies when it's followed by the next cookie name, commas inside Expires dates are not.
+const cookieSeparatorRegex = /,\s*(?=[^;,=\s]+=)/;
+
+const splitSetCookie = (header) => header.split(cookieSeparatorRegex).filter(cookie => cookie.trim());
+
+const getSetCookieHeaders = (headers) => {
+  if (!headers) {
+    return [];
+  }
+
+  if (typeof headers.getSetCookie === 'function') {
+    return headers.getSetCookie();
+  }
+
+  // node-fetch joins multiple cookies in `get`, but keeps them apart in `raw`
+  // https://github.com/node-fetch/node-fetch/issues/251
+  if (typeof headers.raw === 'function') {
+    return headers.raw()['set-cookie'] || [];
+  }
+
+  const header = headers.get('set-cookie');
+  return header ? splitSetCookie(header) : [];
+};
+
+const unquote = (value) => {
+  if (value.length > 1 && value.startsWith('"') && value.endsWith('"')) {
+    return value.slice(1, -1);
+  }
+  return value;
+};
+
+const splitPair = (pair) => {
+  const index = pair.indexOf('=');
+  if (index === -1) {
+    return [pair.trim(), ''];
+  }
+  return [pair.slice(0, index).trim(), pair.slice(index + 1).trim()];
+};
+
+const parseAttributes = (attributes) => {
+  const cookie = {};
+  attributes.forEach(attribute => {
+    const [name, value] = splitPair(attribute);
+    switch (name.toLowerCase()) {
+    case 'max-age': {
+      if (/^-?\d+$/.test(value)) {
+        cookie.maxAge = Number(value);
+      }
+      break;
+    }
+    case 'expires': {
+      const expires = Date.parse(value);
+      if (!Number.isNaN(expires)) {
+        cookie.expires = expires;
+      }
+      break;
+    }
+    default:
+      break;
+    }
+  });
+  return cookie;
+};
+
+/**
+ * Parses one Set-Cookie header value.
+ * @param {string} header - eg. AuthSession=abc; Version=1; Expires=Wed, 08-Jan-2025 13:46:26 GMT; Max-Age=600
+ * @returns {{ name: string, value: string, maxAge: number|undefined, expires: number|undefined }|undefined}
+ */
+const parseSetCookie = (header) => {
+  const [nameValuePair, ...attributes] = header.split(';');
+  if (!nameValuePair.includes('=')) {
+    return;
+  }
+
+  const [name, value] = splitPair(nameValuePair);
+  if (!name) {
+    return;
+  }
+
+  return {
+    name,
+    value: unquote(value),
+    ...parseAttributes(attributes),
+  };
+};
+
+/**
+ * Finds a cookie in the Set-Cookie headers of a response. When set more than once, the last one wins.
+ * @param {Headers} headers
+ * @param {string} name
+ */
+const findCookie = (headers, name) => getSetCookieHeaders(headers)
+  .map(parseSetCookie)
+  .filter(cookie => cookie?.name === name)
+  .pop();
+
+/**
+ * @param {Object} cookie - parsed cookie
+ * @param {number} now - timestamp to compute Max-Age from
+ * @param {number} serverNow - server timestamp of the response, from its Date header. Expires is relative to it, so
+ *                             it doesn't depend on the client clock.
+ * @returns {number|undefined} cookie expiry timestamp in client time, Max-Age takes priority over Expires
+ */
+const getCookieExpiry = (cookie, now = Date.now(), serverNow = undefined) => {
+  if (cookie.maxAge !== undefined) {
+    return now + cookie.maxAge * 1000;
+  }
+  if (cookie.expires !== undefined && serverNow !== undefined) {
+    return now + cookie.expires - serverNow;
+  }
+  return cookie.expires;
+};
+
+module.exports = {
+  getSetCookieHeaders,
+  parseSetCookie,
+  findCookie,
+  getCookieExpiry,
+};
@@ -0,0 +1,38 @@
+/**
+ * Error for a failed CouchDb response. Has the response status and the `error` and `reason` fields from the response
+ * body.
+ */
+class ResponseError extends Error {
+  constructor(action, status, body) {
+    super(`Failed to ${action} with status ${status}${body?.reason ? `: ${body.reason}` : ''}`);
+    this.status = status;
+    this.error = body?.error;
+    this.reason = body?.reason;
+    this.body = body;
+  }
+}
+
+/**
+ * Thrown when the session endpoint rejects the credentials, eg. after a password change.
+ */
+class SessionAuthenticationError extends ResponseError {
+  constructor(status, body) {
+    super('authenticate', status, body);
+    this.name = 'SessionAuthenticationError';
+  }
+}
+
+/**
+ * Thrown when the user document can't be read or updated while changing the password.
+ */
+class PasswordChangeError extends ResponseError {
+  constructor(status, body) {
+    super('change the password', status, body);
+    this.name = 'PasswordChangeError';
+  }
+}
+
+module.exports = {
+  SessionAuthenticationError,
+  PasswordChangeError,
+};
@@ -1,81 +1,562 @@
 const util = require('node:util');
+const crypto = require('node:crypto');
+const EventEmitter = require('node:events');
 const { Headers } = require('pouchdb-fetch');
+const { createMemoryStore, createFileStore, isMemoryStore } = require('./stores');
+const { findCookie, getCookieExpiry } = require('./cookie');
+const { SessionAuthenticationError, PasswordChangeError } = require('./errors');
+const { getReplayableBody } = require('./body');
+const { parseJwt } = require('./jwt');
+const { getProxyAuthHeaders } = require('./proxy');
+const { wrapReplication } = require('./replication');
 
-const sessionCookieName = 'AuthSession';
-const cookieRegex = new RegExp(`${sessionCookieName}=(.*)`);
-const sessions = {};
+const pluginOptions = {
+  sessionStore: createMemoryStore(),
+  sessionCookieName: 'AuthSession',
+  sessionPath: '/_session',
+  sessionRefreshWindow: 0,
+  sessionRefreshMode: 'request',
+  sessionRetries: 1,
+  sessionRetryDelay: 0,
+  sessionRetryBufferLimit: 1024 * 1024,
+  basicAuthFallback: false,
+  sessionCookieJar: 'plugin',
+  sessionTimeout: 600,
+  sessionTimeoutFallback: false,
+  sessionExpiryMargin: 0,
+  shareSessions: true,
+  replicationAuthRetryDelay: 1000,
+  replicationAuthWaitTimeout: 10000,
+  sessionLoginRetries: 3,
+  sessionLoginRetryDelay: 1000,
+};
 
-const parseCookie = (response) => {
-  const cookie = response?.headers?.get('set-cookie');
-  if (!cookie) {
-    return;
+// same as the longest PouchDB replication back off
+const MAX_AUTH_RETRY_DELAY = 10 * 60 * 1000;
+
+const events = new EventEmitter();
+
+// authentication requests in progress, per store and session key
+const pendingSessions = new WeakMap();
+// background renewals in progress, per store and session key
+const pendingRenewals = new WeakMap();
+// session updates waiting for their turn, per store and session key
+const sessionUpdates = new WeakMap();
+// the authentication strategy that worked last and until when it's tried first, per session url
+const workingStrategies = new Map();
+// session options of every database instance
+const sessionDatabases = new WeakMap();
+// session options of every database, held weakly, to find the databases that share a session
+const databaseRefs = new Set();
+// databases are forgotten once they're garbage collected, so short-lived databases don't pile up
+const forgetDatabase = (ref) => databaseRefs.delete(ref);
+const collectedDatabases = new FinalizationRegistry(forgetDatabase);
+
+const getOption = (db, name) => db[name] !== undefined ? db[name] : pluginOptions[name];
+
+const getStore = (db) => getOption(db, 'sessionStore');
+
+// browsers drop the Cookie header and hide Set-Cookie, they hold the session cookie themselves
+const usesBrowserCookies = (db) => getOption(db, 'sessionCookieJar') === 'browser';
+
+const getEventPayload = (db, session) => ({
+  url: session?.url || getSessionUrl(db),
+  username: session ? session.username : db.credentials?.username,
+  expires: session?.expires,
+});
+
+// events are emitted globally and on the database instance
+const emit = (db, event, payload) => {
+  events.emit(event, payload);
+  db?.instance?.emit?.(event, payload);
+};
+
+const getPending = (registry, db) => {
+  const store = getStore(db);
+  if (!registry.has(store)) {
+    registry.set(store, {});
   }
+  return registry.get(store);
+};
+
+const trackPendingSession = (db, sessionKey, promise) => {
+  const pending = getPending(pendingSessions, db);
+  const tracked = promise.finally(() => {
+    if (pending[sessionKey] === tracked) {
+      delete pending[sessionKey];
+    }
+  });
+  pending[sessionKey] = tracked;
+  return tracked;
+};
+
+/**
+ * Updates a stored session atomically: updates of the same session run one at a time, each one reading what the
+ * previous one stored.
+ * @param {Object} db
+ * @param {Function} update - receives the stored session, returns the result of the update
+ */
+const updateStoredSession = (db, update) => {
+  const sessionKey = getSessionKey(db);
+  const updates = getPending(sessionUpdates, db);
+  const result = (updates[sessionKey] || Promise.resolve())
+    .then(async () => update(await getStore(db).get(sessionKey)));
+
+  const queued = result.catch(() => {});
+  updates[sessionKey] = queued;
+  queued.then(() => {
+    if (updates[sessionKey] === queued) {
+      delete updates[sessionKey];
+    }
+  });
+  return result;
+};
 
-  // Unfortunately, node-fetch doesn't handle multiple cookies
-  // https://github.com/node-fetch/node-fetch/issues/251
-  // AuthSession=YWRtaW46NjU5RDRFMzI6Qi5U7t5gHQMn4MgOYkEAX2qH5HZUpn6nKdX8Ik7gDpY; Version=1; Expires=Wed,
-  // 08-Jan-2025 13:46:26 GMT; Max-Age=31536000; Path=/; HttpOnly
+const getTimeoutExpiry = (db) => Date.now() + getOption(db, 'sessionTimeout') * 1000;
 
-  const matches = cookie.match(cookieRegex);
-  if (!matches) {
+const getServerDate = (response) => {
+  const date = Date.parse(response.headers.get('date'));
+  return Number.isNaN(date) ? undefined : date;
+};
+
+const parseCookie = (db, response) => {
+  const cookie = findCookie(response?.headers, getOption(db, 'sessionCookieName'));
+  if (!cookie?.value) {
     return;
   }
 
-  const parts = matches[1].split(';').map(item => item.trim().split('='));
-  const token = parts[0][0];
-  if (!token) {
-    return;
+  let expires = getCookieExpiry(cookie, Date.now(), getServerDate(response));
+  if (expires === undefined && getOption(db, 'sessionTimeoutFallback')) {
+    expires = getTimeoutExpiry(db);
   }
+  return { token: cookie.value, expires };
+};
 
-  return {
-    token: parts[0][0],
-    expires: new Date(parts.find(part => part[0] === 'Expires')[1]).valueOf(),
-  };
+// the cookie the browser got is out of sight, it lasts as long as the server session timeout
+const getBrowserCookie = (db) => ({ expires: getTimeoutExpiry(db) });
+
+// token and credential providers are told apart by identity, so their sessions are not shared with other
+// providers or processes. Databases with an authId share sessions across processes and restarts instead.
+const providerIds = new WeakMap();
+const getProviderId = (db, provider) => {
+  if (db.authId !== undefined) {
+    return db.authId;
+  }
+  if (!providerIds.has(provider)) {
+    providerIds.set(provider, `provider-${Math.random().toString(36).slice(2)}`);
+  }
+  return providerIds.get(provider);
 };
 
-const getSessionKey = (db) => {
+// secrets never appear in session keys. Keys of memory stores never leave the process, they use an HMAC with a key
+// of the process. Keys written to other stores use a slow hash salted with the server and user, so they can't be used
+// to guess passwords quickly. Slow hashes are kept for the most recently used credentials, every request needs the key.
+const processKey = crypto.randomBytes(32);
+const MAX_FINGERPRINTS = 100;
+const fingerprints = new Map();
+const getFingerprint = (db, salt, ...secrets) => {
+  const hmac = crypto.createHmac('sha256', processKey).update(JSON.stringify([salt, ...secrets])).digest('hex');
+  if (isMemoryStore(getStore(db))) {
+    return hmac;
+  }
+
+  const fingerprint = fingerprints.get(hmac) || crypto.scryptSync(JSON.stringify(secrets), salt, 32).toString('hex');
+  fingerprints.delete(hmac);
+  fingerprints.set(hmac, fingerprint);
+  if (fingerprints.size > MAX_FINGERPRINTS) {
+    fingerprints.delete(fingerprints.keys().next().value);
+  }
+  return fingerprint;
+};
+
+// every part is encoded, so separators within a part can't make keys collide
+const formatSessionKey = (...parts) => parts.map(part => encodeURIComponent(part ?? '')).join(':');
+
+/**
+ * Credential keys are <type>:<session url>:<database>:<user>:<credential version>. The database is only set for
+ * databases that don't share sessions. The credential version changes with the password, token or session the database
+ * uses.
+ * @param {Object} db
+ * @returns {string}
+ */
+const getCredentialKey = (db) => {
   const sessionUrl = getSessionUrl(db);
-  return `${db.credentials?.username}:${db.credentials?.password}:${db.session}:${sessionUrl}`;
+  const scope = getSessionScope(db);
+  if (db.jwt) {
+    const version = typeof db.jwt === 'function' ? getProviderId(db, db.jwt) : getFingerprint(db, sessionUrl, db.jwt);
+    return formatSessionKey('jwt', sessionUrl, scope, '', version);
+  }
+  if (typeof db.credentials === 'function') {
+    const providerId = getProviderId(db, db.credentials);
+    const version = getFingerprint(db, formatSessionKey(sessionUrl, providerId), db.session);
+    return formatSessionKey('provider', sessionUrl, scope, providerId, version);
+  }
+  const { username, password } = db.credentials || {};
+  const version = getFingerprint(db, formatSessionKey(sessionUrl, username), password, db.session);
+  return formatSessionKey('cookie', sessionUrl, scope, username, version);
+};
+
+/**
+ * Sessions are kept by credential key, except browser sessions. Browsers hold a single session cookie per server, of
+ * the user that logged in last, so their sessions are kept by server as browser:<session url>.
+ * @param {Object} db
+ * @returns {string}
+ */
+const getSessionKey = (db) => {
+  if (usesBrowserCookies(db)) {
+    return formatSessionKey('browser', getSessionUrl(db));
+  }
+  return getCredentialKey(db);
+};
+
+// the browser session of a server belongs to the credentials that logged in last, other credentials log in again
+const isOwnSession = (db, session) => !usesBrowserCookies(db) || session?.owner === getCredentialKey(db);
+
+// CouchDB can be mounted under a path, eg. https://host/couch/mydb, so the server root is the database url
+// without the database name, unless given explicitly.
+// URL parsing normalizes the scheme and host casing and drops default ports, so every url of a server gets the same
+// server url, eg. HTTPS://Host:443/couch//mydb/ and https://host/couch/otherdb both give https://host/couch
+const getServerUrl = (db) => {
+  const serverUrl = getOption(db, 'serverUrl');
+  const url = new URL(serverUrl || db.name);
+  url.username = '';
+  url.password = '';
+  url.search = '';
+  url.hash = '';
+
+  const segments = url.pathname.split('/').filter(segment => segment);
+  if (!serverUrl) {
+    segments.pop();
+  }
+  url.pathname = segments.join('/');
+  return url;
 };
 
 const getSessionUrl = (db) => {
-  const url = new URL(db.name);
-  url.pathname = '/_session';
+  const url = getServerUrl(db);
+  const sessionPath = getOption(db, 'sessionPath').replace(/^\/*/, '/');
+  url.pathname = url.pathname.replace(/\/$/, '') + sessionPath;
   return url.toString();
 };
 
-const authenticate = async (db) => {
-  if (!db?.credentials?.username) {
+const getDatabaseName = (db) => new URL(db.name).pathname.split('/').filter(segment => segment).pop();
+
+// databases of a server share sessions, unless they opt out with shareSessions: false
+const getSessionScope = (db) => getOption(db, 'shareSessions') === false ? getDatabaseName(db) : '';
+
+const readBody = async (response) => {
+  try {
+    return await response.json();
+  } catch (err) {
+    // the body is only informative
+  }
+};
+
+// the login response is the user context of the new session, eg. { ok: true, name: 'admin', roles: ['_admin'] }
+const getUserCtx = (body) => {
+  if (!body?.name) {
+    return;
+  }
+  return { name: body.name, roles: body.roles || [] };
+};
+
+const canAuthenticate = (db) => !!(db.jwt || typeof db.credentials === 'function' || db.credentials?.username);
+
+// credentials are either static or returned by a provider function, that is called for every new session
+const resolveCredentials = async (db) => {
+  if (typeof db.credentials === 'function') {
+    return db.credentials();
+  }
+  return db.credentials;
+};
+
+const getJwtSession = async (db) => {
+  let token;
+  try {
+    token = typeof db.jwt === 'function' ? await db.jwt() : db.jwt;
+  } catch (err) {
+    emit(db, 'session:error', { ...getEventPayload(db), error: err });
+    throw err;
+  }
+
+  if (!token) {
+    return;
+  }
+
+  const session = { ...parseJwt(token), type: 'jwt' };
+  session.issued = session.issued || Date.now();
+  const previous = await getStore(db).get(getSessionKey(db));
+  const updated = await setSession(db, session);
+  emit(db, previous ? 'session:renewed' : 'session:created', getEventPayload(db, updated));
+  return updated;
+};
+
+// waits for the next login attempt, browsers coming back online try again right away
+const waitForLoginRetry = (ms) => new Promise(resolve => {
+  const retry = () => {
+    clearTimeout(timeout);
+    globalThis.removeEventListener?.('online', retry);
+    resolve();
+  };
+  const timeout = setTimeout(retry, ms);
+  globalThis.addEventListener?.('online', retry);
+});
+
+// network errors are retried, responses rejecting the credentials are not
+const sendLogin = async (db, url, opts, retries) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await db.originalFetch(url, opts);
+    } catch (err) {
+      if (attempt >= retries) {
+        throw err;
+      }
+    }
+    await waitForLoginRetry(getOption(db, 'sessionLoginRetryDelay') * Math.pow(2, attempt));
+  }
+};
+
+/**
+ * Logs in, or gets a JWT session.
+ * @param {Object} db
+ * @param {number} retries - how many times to send the login again when the server can't be reached
+ */
+const authenticate = async (db, retries = 0) => {
+  if (db.jwt) {
+    return getJwtSession(db);
+  }
+
+  let credentials;
+  try {
+    credentials = await resolveCredentials(db);
+  } catch (err) {
+    emit(db, 'session:error', { ...getEventPayload(db), error: err });
+    throw err;
+  }
+
+  if (!credentials?.username) {
     return;
   }
 
   const url = getSessionUrl(db);
+  const emitError = (error) => emit(db, 'session:error', {
+    ...getEventPayload(db),
+    username: credentials.username,
+    error,
+  });
 
   const headers = new Headers();
   headers.set('Content-Type', 'application/json');
   headers.set('Accept', 'application/json');
 
-  const body = JSON.stringify({ name: db.credentials.username, password: db.credentials.password});
-  const response = await db.originalFetch(url.toString(), { method: 'POST', headers, body });
-  return updateSession(db, response);
+  const body = JSON.stringify({ name: credentials.username, password: credentials.password});
+  const opts = { method: 'POST', headers, body };
+  if (usesBrowserCookies(db)) {
+    opts.credentials = 'include';
+  }
+
+  let response;
+  try {
+    response = await sendLogin(db, url.toString(), opts, retries);
+  } catch (err) {
+    emitError(err);
+    throw err;
+  }
+
+  if (!response.ok) {
+    const error = new SessionAuthenticationError(response.status, await readBody(response));
+    emitError(error);
+    throw error;
+  }
+
+  const userCtx = getUserCtx(await readBody(response));
+  const session = await updateSession(db, response, { username: credentials.username, userCtx });
+  if (!session) {
+    emitError(new Error('Session cookie missing from the authentication response'));
+  }
+  return session;
 };
 
-const setSession = (db, session) => {
+const setSession = async (db, session) => {
   if (session) {
     const sessionKey = getSessionKey(db);
-    sessions[sessionKey] = session;
+    session = {
+      url: getSessionUrl(db),
+      cookieName: getOption(db, 'sessionCookieName'),
+      username: db.credentials?.username,
+      ...session,
+    };
+    if (usesBrowserCookies(db)) {
+      session.owner = getCredentialKey(db);
+    }
+    await getStore(db).set(sessionKey, session);
+    trackSessionUser(db, session);
     return session;
   }
 };
 
-const updateSession = (db, response) => {
-  const session = parseCookie(response);
-  return setSession(db, session);
+// the user of the last session the database used, readable without waiting for the store
+const trackSessionUser = (db, session) => {
+  db.sessionUser = session?.userCtx;
+};
+
+/**
+ * Stores the session cookie of a response.
+ * @param {Object} db
+ * @param {Response} response
+ * @param {Object} login - username and user context, when the response is the login response
+ */
+const updateSession = async (db, response, login) => {
+  const browserCookies = usesBrowserCookies(db);
+  const session = parseCookie(db, response) || (login && browserCookies && getBrowserCookie(db));
+  if (!session) {
+    return;
+  }
+
+  if (browserCookies) {
+    session.type = 'browser';
+  }
+  session.issued = Date.now();
+  return updateStoredSession(db, async (previous) => {
+    // concurrent responses carry cookies issued at different times, the one that expires last is kept.
+    // A new login always replaces the session.
+    if (!login && previous?.expires > session.expires) {
+      return previous;
+    }
+
+    // cookies re-issued by the server belong to the user that logged in
+    const username = login?.username || previous?.username;
+    if (username) {
+      session.username = username;
+    }
+    // only the login response has the user context, re-issued cookies keep the one of the session they renew
+    const userCtx = login?.userCtx || previous?.userCtx;
+    if (userCtx) {
+      session.userCtx = userCtx;
+    }
+    // logging in to the browser replaces the session of the user that logged in before
+    const replaced = previous && !isOwnSession(db, previous);
+    if (replaced) {
+      emit(db, 'session:invalidated', getEventPayload(db, previous));
+    }
+    const updated = await setSession(db, session);
+    emit(db, previous && !replaced ? 'session:renewed' : 'session:created', getEventPayload(db, updated));
+    return updated;
+  });
+};
+
+const isSameSession = (session, other) => session.token === other?.token && session.issued === other?.issued;
+
+/**
+ * Removes the session of the database.
+ * @param {Object} db
+ * @param {Object} rejected - the session the server rejected. It's only removed if it's still the stored session, so
+ *                            late responses to requests sent with an old session don't remove its replacement.
+ */
+const invalidateSession = (db, rejected) => updateStoredSession(db, async (session) => {
+  if (rejected && !isSameSession(rejected, session)) {
+    return;
+  }
+
+  await getStore(db).delete(getSessionKey(db));
+  trackSessionUser(db);
+  if (session) {
+    emit(db, 'session:invalidated', getEventPayload(db, session));
+  }
+});
+
+const getCookieHeader = (session) => `${session.cookieName || pluginOptions.sessionCookieName}=${session.token}`;
+
+const deleteServerSession = async (fetch, session) => {
+  // tokens are not server sessions
+  if (session.type === 'jwt') {
+    return;
+  }
+
+  const headers = new Headers();
+  headers.set('Accept', 'application/json');
+  const opts = { method: 'DELETE', headers };
+  if (session.type === 'browser') {
+    opts.credentials = 'include';
+  } else {
+    headers.set('Cookie', getCookieHeader(session));
+  }
+
+  // the server session might already be gone, there's nothing to do about error responses
+  await fetch(session.url, opts);
+};
+
+// the browser holds one cookie per server, that every browser session of the server uses
+const isSameCookie = (session, other) => {
+  if (session.type === 'browser') {
+    return other?.type === 'browser' && other.url === session.url;
+  }
+  return other?.token === session.token;
+};
+
+const purgeSessions = async (store, loggedOut) => {
+  const sessionKeys = await store.list();
+  for (const sessionKey of sessionKeys) {
+    const session = await store.get(sessionKey);
+    if (isSameCookie(loggedOut, session)) {
+      await store.delete(sessionKey);
+      emit(null, 'session:invalidated', getEventPayload(null, session));
+    }
+  }
 };
 
-const invalidateSession = db => {
+const logout = async (db) => {
   const sessionKey = getSessionKey(db);
-  delete sessions[sessionKey];
+  const pending = getPending(pendingSessions, db);
+  if (pending[sessionKey]) {
+    await pending[sessionKey].catch(() => {});
+  }
+
+  const store = getStore(db);
+  const session = await store.get(sessionKey);
+  // another user logged in to the browser since, the session of the database is already gone
+  if (!session || !isOwnSession(db, session)) {
+    return;
+  }
+
+  try {
+    await deleteServerSession(db.originalFetch, session);
+  } finally {
+    await store.delete(sessionKey);
+    trackSessionUser(db);
+    emit(db, 'session:invalidated', getEventPayload(db, session));
+    await purgeSessions(store, session);
+  }
+};
+
+const logoutAll = async (store, fetch) => {
+  const sessionKeys = await store.list();
+  const loggedOut = new Set();
+  const errors = [];
+
+  for (const sessionKey of sessionKeys) {
+    const session = await store.get(sessionKey);
+    await store.delete(sessionKey);
+    if (session) {
+      emit(null, 'session:invalidated', getEventPayload(null, session));
+    }
+
+    const serverSession = `${session?.url}:${session?.token}`;
+    if (!session?.url || loggedOut.has(serverSession)) {
+      continue;
+    }
+    loggedOut.add(serverSession);
+
+    try {
+      await deleteServerSession(fetch, session);
+    } catch (err) {
+      errors.push(err);
+    }
+  }
+
+  if (errors.length) {
+    throw errors[0];
+  }
 };
 
 const extractAuth = (opts) => {
@@ -96,30 +577,501 @@ const extractAuth = (opts) => {
   }
 
   if (opts.session) {
-    setSession(opts, { token: opts.session, expires: Number.MAX_SAFE_INTEGER });
+    useGivenSession(opts);
   }
 };
 
-const isValid = (session) => {
+// a given session cookie is used until the server rejects it
+const useGivenSession = (db) => {
+  const session = { token: db.session, expires: Number.MAX_SAFE_INTEGER };
+  return trackPendingSession(db, getSessionKey(db), setSession(db, session));
+};
+
+/**
+ * Gets the database to send a request with its own `auth` or `session`. It shares the options, store and fetch of the
+ * database, so the sessions of those credentials are cached and reused like any other, without touching the ones of
+ * the database. The authId of the database names its own credentials, so it isn't shared.
+ */
+const getRequestDb = async (db, auth, session) => {
+  const requestDb = {
+    ...db,
+    credentials: auth,
+    session,
+    authId: undefined,
+    jwt: undefined,
+    proxyAuthHeaders: undefined,
+    replications: new Set(),
+    authRetry: undefined,
+    authError: undefined,
+    stopAuthRetry: undefined,
+  };
+
+  // a given session is only used for the request, it's kept out of the store of the database, where it would never
+  // expire
+  if (session) {
+    requestDb.sessionStore = createMemoryStore();
+    await useGivenSession(requestDb);
+  }
+  return requestDb;
+};
+
+// sessions are renewed a margin before they expire, so requests don't reach the server with an expired session
+const isValid = (db, session) => {
   if (!session?.expires) {
     return false;
   }
-  const isExpired =  Date.now() > session.expires;
+  const isExpired = Date.now() > session.expires - getOption(db, 'sessionExpiryMargin') * 1000;
   return !isExpired;
 };
 
+const needsRenewal = (db, session) => {
+  const refreshWindow = getOption(db, 'sessionRefreshWindow');
+  if (!refreshWindow || !session.issued || !canAuthenticate(db)) {
+    return false;
+  }
+
+  const lifetime = session.expires - session.issued;
+  return session.expires - Date.now() < lifetime * refreshWindow;
+};
+
+const renewInBackground = (db, sessionKey) => {
+  const renewals = getPending(pendingRenewals, db);
+  if (renewals[sessionKey]) {
+    return;
+  }
+
+  // the current session stays in use until renewal succeeds, failures are retried on the next request
+  renewals[sessionKey] = authenticate(db)
+    .catch(() => {})
+    .finally(() => delete renewals[sessionKey]);
+};
+
 const getValidSession = async (db) => {
   const sessionKey = getSessionKey(db);
+  const pending = getPending(pendingSessions, db);
+
+  if (pending[sessionKey]) {
+    return pending[sessionKey];
+  }
+
+  const session = await getStore(db).get(sessionKey);
+  const valid = isValid(db, session) && isOwnSession(db, session);
+  if (valid) {
+    trackSessionUser(db, session);
+  }
+  if (valid && !needsRenewal(db, session)) {
+    return session;
+  }
+
+  if (valid && getOption(db, 'sessionRefreshMode') === 'background') {
+    renewInBackground(db, sessionKey);
+    return session;
+  }
+
+  // concurrent requests might have started authenticating while the store was read. Without a valid session, requests
+  // queue up behind the login until the server can be reached, renewals fall back to the current session right away.
+  const retries = valid ? 0 : getOption(db, 'sessionLoginRetries');
+  const renewed = pending[sessionKey] || trackPendingSession(db, sessionKey, authenticate(db, retries));
+  if (!valid) {
+    return renewed;
+  }
+
+  // keep using the current session if renewing fails
+  try {
+    return (await renewed) || session;
+  } catch (err) {
+    return session;
+  }
+};
+
+// same encoding as pouchdb-adapter-http
+const getBasicAuthHeader = (credentials) => {
+  const token = btoa(unescape(encodeURIComponent(`${credentials.username}:${credentials.password}`)));
+  return `Basic ${token}`;
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-  if (sessions[sessionKey]) {
-    const session = await sessions[sessionKey];
-    if (isValid(session)) {
+const getRetryDelay = (db, attempt) => getOption(db, 'sessionRetryDelay') * Math.pow(2, attempt);
+
+const setHeader = (opts, name, value) => {
+  opts.headers = opts.headers || new Headers();
+  opts.headers.set(name, value);
+};
+
+// every attempt gets its own headers, so a retry doesn't carry the rejected session
+const getAttemptOptions = (opts) => {
+  const attemptOpts = { ...opts };
+  if (opts.headers) {
+    attemptOpts.headers = new Headers(opts.headers);
+  }
+  return attemptOpts;
+};
+
+// every strategy sets the authentication of a request, or returns nothing when it can't
+const authStrategies = {
+  // sessions from /_session, or JWT sessions
+  cookie: async (db, opts) => {
+    const session = await getValidSession(db);
+    if (session?.type === 'jwt') {
+      setHeader(opts, 'Authorization', `Bearer ${session.token}`);
+    } else if (session?.type === 'browser') {
+      opts.credentials = 'include';
+    } else if (session) {
+      setHeader(opts, 'Cookie', getCookieHeader(session));
+    }
+    return session;
+  },
+  basic: async (db, opts) => {
+    const credentials = await resolveCredentials(db);
+    if (!credentials?.username) {
+      return;
+    }
+    setHeader(opts, 'Authorization', getBasicAuthHeader(credentials));
+    return { type: 'basic' };
+  },
+};
+
+const validateAuthStrategies = (strategies) => {
+  const unknown = strategies.find(strategy => !authStrategies[strategy]);
+  if (unknown) {
+    throw new Error(`Unknown authentication strategy: ${unknown}`);
+  }
+};
+
+const getWorkingStrategy = (db) => {
+  const working = workingStrategies.get(getSessionUrl(db));
+  if (working?.expires > Date.now()) {
+    return working.strategy;
+  }
+};
+
+// basicAuthFallback is the ['cookie', 'basic'] chain. The strategy that worked last for the server is tried first.
+const getAuthStrategies = (db) => {
+  const fallback = getOption(db, 'basicAuthFallback') ? ['cookie', 'basic'] : ['cookie'];
+  const strategies = getOption(db, 'authStrategies') || fallback;
+  const working = getWorkingStrategy(db);
+  if (!strategies.includes(working)) {
+    return strategies;
+  }
+  return [working, ...strategies.filter(strategy => strategy !== working)];
+};
+
+// strategies are remembered for as long as a session lasts, then the chain starts over, so a server that accepts
+// sessions again gets them again. Requests that keep using the strategy don't extend it.
+const rememberStrategy = (db, strategy) => {
+  if (!strategy) {
+    workingStrategies.delete(getSessionUrl(db));
+  } else if (getWorkingStrategy(db) !== strategy) {
+    const expires = getTimeoutExpiry(db);
+    workingStrategies.set(getSessionUrl(db), { strategy, expires });
+  }
+};
+
+// a server failing to answer didn't reject the strategy, it's tried again on the next request
+const isServerError = (err) => err.status >= 500;
+
+/**
+ * Authenticates a request with the first strategy of the chain that works.
+ * A strategy rejected by the server moves on to the next one, other errors are thrown.
+ * @returns {Promise<{ strategy: string, session: Object, remember: boolean }>} strategy is undefined when none of them
+ *          could be used. remember is false when an earlier strategy only failed because of a server error.
+ */
+const authenticateRequest = async (db, opts) => {
+  let rejection;
+  let serverError = false;
+  for (const strategy of getAuthStrategies(db)) {
+    try {
+      const session = await authStrategies[strategy](db, opts);
+      if (session) {
+        return { strategy, session, remember: !serverError };
+      }
+    } catch (err) {
+      if (!(err instanceof SessionAuthenticationError)) {
+        throw err;
+      }
+      serverError = serverError || isServerError(err);
+      rejection = rejection || err;
+    }
+  }
+
+  if (rejection) {
+    throw rejection;
+  }
+  return {};
+};
+
+const hasLiveReplications = (db) => !!db.replications?.size;
+
+const emitOnReplications = (db, event, payload) => db.replications.forEach(replication => {
+  replication.emit(event, payload);
+});
+
+const waitForAuthRetry = (db, ms) => new Promise(resolve => {
+  const timeout = setTimeout(resolve, ms);
+  // ending replications stop waiting
+  db.stopAuthRetry = () => {
+    clearTimeout(timeout);
+    resolve();
+  };
+});
+
+// live replications pause until the server accepts the credentials again, instead of failing
+const retryAuthentication = async (db, error) => {
+  error.state = 'auth';
+  emitOnReplications(db, 'paused', error);
+
+  for (let attempt = 0; hasLiveReplications(db); attempt++) {
+    const retryDelay = getOption(db, 'replicationAuthRetryDelay') * Math.pow(2, attempt);
+    await waitForAuthRetry(db, Math.min(retryDelay, MAX_AUTH_RETRY_DELAY));
+    if (!hasLiveReplications(db)) {
+      break;
+    }
+
+    try {
+      const session = await getValidSession(db);
+      emitOnReplications(db, 'active');
       return session;
+    } catch (err) {
+      if (!(err instanceof SessionAuthenticationError)) {
+        throw err;
+      }
     }
   }
+  throw error;
+};
 
-  sessions[sessionKey] = authenticate(db);
-  return sessions[sessionKey];
+// every request of the database waits for the same retries
+const waitForAuthentication = (db, error) => {
+  if (!db.authRetry) {
+    db.authError = error;
+    db.authRetry = retryAuthentication(db, error).finally(() => {
+      db.authRetry = undefined;
+      db.authError = undefined;
+      db.stopAuthRetry = undefined;
+    });
+  }
+  return waitForAuthRetries(db);
+};
+
+// requests give up waiting after replicationAuthWaitTimeout, while the replications keep retrying
+const waitForAuthRetries = (db) => new Promise((resolve, reject) => {
+  const error = db.authError;
+  const timeout = setTimeout(() => reject(error), getOption(db, 'replicationAuthWaitTimeout'));
+  db.authRetry.then(resolve, reject).then(() => clearTimeout(timeout));
+});
+
+const authenticateOrWait = async (db, opts) => {
+  if (db.authRetry) {
+    await waitForAuthRetries(db);
+  }
+
+  try {
+    return await authenticateRequest(db, opts);
+  } catch (err) {
+    if (!(err instanceof SessionAuthenticationError) || !hasLiveReplications(db)) {
+      throw err;
+    }
+    await waitForAuthentication(db, err);
+    return authenticateRequest(db, opts);
+  }
+};
+
+// sessions are renewed between replication batches, rather than by the first request of the next batch
+const renewBetweenBatches = async (db) => {
+  try {
+    await authenticateOrWait(db, {});
+  } catch (err) {
+    // the next request of the replication gets the error
+  }
+};
+
+const trackLiveReplication = (instances, replication) => {
+  const databases = instances.map(instance => sessionDatabases.get(instance)).filter(db => db);
+  if (!databases.length) {
+    return;
+  }
+
+  databases.forEach(db => db.replications.add(replication));
+  const renew = () => databases.forEach(renewBetweenBatches);
+  replication.on('change', renew);
+  replication.on('paused', (err) => !err && renew());
+
+  const stop = () => databases.forEach(db => {
+    db.replications.delete(replication);
+    if (!hasLiveReplications(db)) {
+      db.stopAuthRetry?.();
+    }
+  });
+  replication.then(stop, stop);
+};
+
+const fetchWithSession = async (db, url, opts, retries, attempt = 0) => {
+  const attemptOpts = getAttemptOptions(opts);
+  const { strategy, session, remember } = await authenticateOrWait(db, attemptOpts);
+
+  const response = await db.originalFetch(url, attemptOpts);
+  if (strategy === 'basic') {
+    // rejected credentials would be rejected by every strategy, the chain starts over on the next request
+    if (response.status === 401) {
+      rememberStrategy(db);
+    } else if (remember) {
+      rememberStrategy(db, strategy);
+    }
+    return response;
+  }
+
+  if (response.status === 401 && session) {
+    await invalidateSession(db, session);
+    if (attempt >= retries) {
+      return response;
+    }
+
+    const retryDelay = getRetryDelay(db, attempt);
+    if (retryDelay) {
+      await delay(retryDelay);
+    }
+    return fetchWithSession(db, url, opts, retries, attempt + 1);
+  }
+
+  if (strategy && remember) {
+    rememberStrategy(db, strategy);
+  }
+  await updateSession(db, response);
+  return response;
+};
+
+// proxy authenticated requests carry their identity on every request, there is no session to keep
+const sendWithProxyAuth = (db, url, opts) => {
+  opts = getAttemptOptions(opts);
+  Object.entries(db.proxyAuthHeaders).forEach(([name, value]) => setHeader(opts, name, value));
+  return db.originalFetch(url, opts);
+};
+
+const sendWithSession = async (db, url, opts) => {
+  if (opts.auth || opts.session) {
+    const { auth, session, ...requestOpts } = opts;
+    return sendWithSession(await getRequestDb(db, auth, session), url, requestOpts);
+  }
+
+  if (db.proxyAuthHeaders) {
+    return sendWithProxyAuth(db, url, opts);
+  }
+
+  let retries = getOption(db, 'sessionRetries');
+  if (retries && opts.body) {
+    const { body, replayable } = await getReplayableBody(opts.body, getOption(db, 'sessionRetryBufferLimit'));
+    opts = { ...opts, body };
+    if (!replayable) {
+      retries = 0;
+    }
+  }
+
+  return fetchWithSession(db, url, opts, retries);
+};
+
+const getSessionInfo = async (db, { force = false } = {}) => {
+  if (force) {
+    // a given session can't be replaced without credentials
+    if (!canAuthenticate(db)) {
+      throw new Error('Forcing a new session requires credentials or a JWT');
+    }
+    await invalidateSession(db);
+  }
+
+  const headers = new Headers();
+  headers.set('Accept', 'application/json');
+  const response = await sendWithSession(db, getSessionUrl(db), { method: 'GET', headers });
+  const body = await readBody(response);
+  if (!response.ok) {
+    throw new SessionAuthenticationError(response.status, body);
+  }
+
+  const userCtx = getUserCtx(body?.userCtx);
+  const session = await updateStoredSession(db, (stored) => {
+    if (!stored || !userCtx) {
+      return stored;
+    }
+    return setSession(db, { ...stored, userCtx });
+  });
+  return {
+    username: body?.userCtx?.name,
+    expires: session?.expires,
+    userCtx: body?.userCtx,
+    info: body?.info,
+  };
+};
+
+const getUserDocUrl = (db, username) => {
+  const url = getServerUrl(db);
+  url.pathname = `${url.pathname.replace(/\/$/, '')}/_users/${encodeURIComponent(`org.couchdb.user:${username}`)}`;
+  return url.toString();
+};
+
+const requestUserDoc = async (db, url, opts) => {
+  const headers = new Headers();
+  headers.set('Accept', 'application/json');
+  if (opts.body) {
+    headers.set('Content-Type', 'application/json');
+  }
+  const response = await sendWithSession(db, url, { ...opts, headers });
+  const body = await readBody(response);
+  if (!response.ok) {
+    throw new PasswordChangeError(response.status, body);
+  }
+  return body;
+};
+
+// databases that log in with the same credentials and store, and so use the same session
+const getSharingDatabases = (db) => {
+  const credentialKey = getCredentialKey(db);
+  const sharing = new Set([db]);
+  databaseRefs.forEach(ref => {
+    const other = ref.deref();
+    if (!other) {
+      databaseRefs.delete(ref);
+    } else if (getStore(other) === getStore(db) && getCredentialKey(other) === credentialKey) {
+      sharing.add(other);
+    }
+  });
+  return sharing;
+};
+
+/**
+ * Changes the password in the user document, then logs in with it. Requests that wait for a session get the new one,
+ * and requests sent with the old session are retried with it. Databases that share the session switch to the new
+ * password as well.
+ */
+const changePassword = async (db, newPassword) => {
+  if (typeof db.credentials === 'function' || !db.credentials?.username) {
+    throw new Error('Changing the password requires static credentials');
+  }
+
+  const { username } = db.credentials;
+  const url = getUserDocUrl(db, username);
+  const userDoc = await requestUserDoc(db, url, { method: 'GET' });
+  await requestUserDoc(db, url, { method: 'PUT', body: JSON.stringify({ ...userDoc, password: newPassword }) });
+
+  // the old session is no longer valid. Switching credentials and starting to authenticate happen together, so no
+  // request logs in with the old password in between.
+  const previousKey = getSessionKey(db);
+  getSharingDatabases(db).forEach(shared => {
+    shared.credentials = { ...shared.credentials, password: newPassword };
+  });
+  const sessionKey = getSessionKey(db);
+  const pending = getPending(pendingSessions, db);
+  const session = pending[sessionKey] || trackPendingSession(db, sessionKey, authenticate(db));
+
+  // browser sessions are kept by server, the new login replaces the old session itself
+  if (previousKey !== sessionKey) {
+    const store = getStore(db);
+    const previous = await store.get(previousKey);
+    await store.delete(previousKey);
+    if (previous) {
+      emit(db, 'session:invalidated', getEventPayload(db, previous));
+    }
+  }
+  await session;
 };
 
 // eslint-disable-next-line func-style
@@ -127,29 +1079,28 @@ function wrapAdapter (PouchDB, HttpPouch) {
   // eslint-disable-next-line func-style
   function HttpSessionPouch(db, callback) {
     extractAuth(db);
-    if (!db.credentials && !db.session) {
+    if (!db.credentials && !db.session && !db.jwt && !db.proxyAuth) {
       HttpPouch.call(this, db, callback);
       return;
     }
 
-    db.originalFetch = db.fetch || PouchDB.fetch;
-    db.fetch = async (url, opts = {}) => {
-      const session = await getValidSession(db);
-
-      if (session) {
-        opts.headers = opts.headers || new Headers();
-        opts.headers.set('Cookie', `${sessionCookieName}=${session.token}`);
-      }
-
-      const response = await db.originalFetch(url, opts);
-      if (response.status === 401 && session) {
-        invalidateSession(db);
-        return db.fetch(url, opts);
-      }
+    if (db.proxyAuth) {
+      db.proxyAuthHeaders = getProxyAuthHeaders(db.proxyAuth);
+    }
+    validateAuthStrategies(getOption(db, 'authStrategies') || []);
 
-      updateSession(db, response);
-      return response;
-    };
+    db.originalFetch = db.fetch || PouchDB.fetch;
+    db.instance = this;
+    db.replications = new Set();
+    sessionDatabases.set(this, db);
+    const ref = new WeakRef(db);
+    databaseRefs.add(ref);
+    collectedDatabases.register(db, ref);
+    this.logout = () => logout(db);
+    this.getSession = (options) => getSessionInfo(db, options);
+    this.changePassword = (newPassword) => changePassword(db, newPassword);
+    Object.defineProperty(this, 'sessionUser', { get: () => db.sessionUser, configurable: true });
+    db.fetch = (url, opts = {}) => sendWithSession(db, url, opts);
 
     HttpPouch.call(this, db, callback);
   }
@@ -159,11 +1110,88 @@ function wrapAdapter (PouchDB, HttpPouch) {
   return HttpSessionPouch;
 }
 
-module.exports = function (PouchDB) {
+let pouchFetch;
+
+const plugin = function (PouchDB) {
   if (!PouchDB.adapters.http) {
     return;
   }
 
+  pouchFetch = PouchDB.fetch;
   PouchDB.adapters.http = wrapAdapter(PouchDB, PouchDB.adapters.http);
   PouchDB.adapters.https = wrapAdapter(PouchDB, PouchDB.adapters.https);
+  wrapReplication(PouchDB, trackLiveReplication);
+};
+
+/**
+ * Sets plugin-wide options. Options passed when creating a database take precedence.
+ * @param {Object} options
+ * @param {Object} options.sessionStore - store that holds sessions, defaults to an in-memory store
+ * @param {string} options.sessionCookieName - name of the session cookie, defaults to AuthSession
+ * @param {string} options.sessionPath - path of the session endpoint, defaults to /_session
+ * @param {number} options.sessionRefreshWindow - fraction of the session lifetime, renew the session when less than
+ *                                               this is left. Defaults to 0, only renewing expired sessions.
+ * @param {string} options.sessionRefreshMode - 'request' renews before sending the next request,
+ *                                             'background' sends it with the current session while renewing
+ * @param {number} options.sessionRetries - how many times to renew the session and retry a request after a 401,
+ *                                         defaults to 1
+ * @param {number} options.sessionRetryDelay - milliseconds to wait before the first retry, doubled for every next
+ *                                            retry. Defaults to 0.
+ * @param {number} options.sessionRetryBufferLimit - streamed request bodies up to this many bytes are buffered, so
+ *                                                  they can be sent again on retry. Larger ones are not retried.
+ *                                                  Defaults to 1MiB.
+ * @param {boolean} options.basicAuthFallback - when the session endpoint rejects the credentials, send them with
+ *                                             Basic authentication instead of rejecting. Defaults to false.
+ * @param {string[]} options.authStrategies - authentication strategies to try in order, 'cookie' and 'basic'.
+ *                                           Defaults to ['cookie'], or ['cookie', 'basic'] with basicAuthFallback.
+ * @param {string} options.sessionCookieJar - 'plugin' sends the session cookie itself, 'browser' leaves it to the
+ *                                           browser cookie jar. Defaults to 'plugin'.
+ * @param {number} options.sessionTimeout - seconds a session lasts when its cookie expiry can't be read,
+ *                                         defaults to 600, the CouchDB default
+ * @param {boolean} options.sessionTimeoutFallback - expect session cookies without Max-Age or Expires to last
+ *                                                  sessionTimeout seconds, instead of authenticating again for every
+ *                                                  request. Defaults to false.
+ * @param {number} options.sessionExpiryMargin - seconds before their expiry that sessions are renewed, defaults to 0
+ * @param {boolean} options.shareSessions - false gives every database its own session, instead of sharing sessions
+ *                                         between the databases of a server. Defaults to true.
+ * @param {number} options.replicationAuthRetryDelay - milliseconds live replications wait before authenticating again
+ *                                                    when the credentials are rejected, doubled for every next try
+ *                                                    up to 10 minutes. Defaults to 1000.
+ * @param {number} options.replicationAuthWaitTimeout - milliseconds requests wait for a live replication to
+ *                                                     authenticate again, before failing with the
+ *                                                     SessionAuthenticationError. Defaults to 10000.
+ * @param {number} options.sessionLoginRetries - how many times to log in again when the server can't be reached,
+ *                                              defaults to 3. Rejected credentials are not retried.
+ * @param {number} options.sessionLoginRetryDelay - milliseconds to wait before logging in again, doubled for every
+ *                                                 next try. Defaults to 1000.
+ * @returns {Function} the plugin
+ */
+plugin.configure = (options = {}) => {
+  Object.assign(pluginOptions, options);
+  return plugin;
 };
+
+/**
+ * Ends every session in the store on its server and removes it from the store.
+ * @param {Object} options
+ * @param {Object} options.sessionStore - defaults to the plugin store
+ * @param {Function} options.fetch - defaults to PouchDB.fetch
+ * @returns {Promise} rejects with the first failed server request, after all sessions are removed
+ */
+plugin.logoutAll = (options = {}) => logoutAll(
+  options.sessionStore || pluginOptions.sessionStore,
+  options.fetch || pouchFetch
+);
+
+/**
+ * Emits session:created, session:renewed, session:invalidated and session:error for every database.
+ * Payloads have the session url, username and expiry, session:error payloads also have the error.
+ */
+plugin.events = events;
+
+plugin.SessionAuthenticationError = SessionAuthenticationError;
+plugin.PasswordChangeError = PasswordChangeError;
+plugin.createMemoryStore = createMemoryStore;
+plugin.createFileStore = createFileStore;
+
+module.exports = plugin;
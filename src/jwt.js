@@ -0,0 +1,40 @@
+// Reads JWT claims without verifying the signature, verifying is up to the server.
+
+const decodeBase64Url = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+};
+
+/**
+ * @param {string} token
+ * @returns {Object} the token claims, empty when the token can't be decoded
+ */
+const getJwtClaims = (token) => {
+  try {
+    const claims = JSON.parse(decodeBase64Url(token.split('.')[1]));
+    return claims && typeof claims === 'object' ? claims : {};
+  } catch (err) {
+    return {};
+  }
+};
+
+/**
+ * @param {string} token
+ * @returns {{ token: string, expires: number, issued: number|undefined, username: string|undefined }}
+ */
+const parseJwt = (token) => {
+  const claims = getJwtClaims(token);
+  return {
+    token,
+    // tokens without expiry are used until the server rejects them
+    expires: Number.isFinite(claims.exp) ? claims.exp * 1000 : Number.MAX_SAFE_INTEGER,
+    issued: Number.isFinite(claims.iat) ? claims.iat * 1000 : undefined,
+    username: claims.sub,
+  };
+};
+
+module.exports = {
+  getJwtClaims,
+  parseJwt,
+};
@@ -0,0 +1,36 @@
+const crypto = require('node:crypto');
+
+/**
+ * Headers for CouchDB proxy authentication
+ * https://docs.couchdb.org/en/stable/api/server/authn.html#proxy-authentication
+ * @param {Object} proxyAuth
+ * @param {string} proxyAuth.username
+ * @param {string[]} proxyAuth.roles
+ * @param {string} proxyAuth.secret - the server's [chttpd_auth] secret. Without it, no token is sent.
+ * @param {string} proxyAuth.algorithm - HMAC hash algorithm, one of the server's [chttpd_auth] hash_algorithms.
+ *                                       Defaults to sha256.
+ * @returns {Object} header names and values
+ */
+const getProxyAuthHeaders = (proxyAuth) => {
+  if (!proxyAuth?.username) {
+    throw new Error('Proxy authentication requires a username');
+  }
+
+  const headers = {
+    'X-Auth-CouchDB-UserName': proxyAuth.username,
+    'X-Auth-CouchDB-Roles': (proxyAuth.roles || []).join(','),
+  };
+
+  if (proxyAuth.secret) {
+    headers['X-Auth-CouchDB-Token'] = crypto
+      .createHmac(proxyAuth.algorithm || 'sha256', proxyAuth.secret)
+      .update(proxyAuth.username)
+      .digest('hex');
+  }
+
+  return headers;
+};
+
+module.exports = {
+  getProxyAuthHeaders,
+};
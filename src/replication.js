@@ -0,0 +1,42 @@
+// Same as pouchdb-replication, databases given by name are created with the replication options
+const toPouch = (PouchDB, db, opts) => {
+  if (typeof db !== 'string') {
+    return db;
+  }
+  const PouchConstructor = opts.PouchConstructor || PouchDB;
+  return new PouchConstructor(db, opts);
+};
+
+const getOptions = (opts) => (opts && typeof opts === 'object' ? opts : {});
+
+/**
+ * Wraps PouchDB.replicate and PouchDB.sync, which db.replicate.to, db.replicate.from and db.sync also use, to tell
+ * when live replications start.
+ * @param {Function} PouchDB
+ * @param {Function} onLiveReplication - called with both databases and the replication or sync, an EventEmitter that
+ *                                       settles like a Promise when the replication ends
+ */
+const wrapReplication = (PouchDB, onLiveReplication) => {
+  const wrap = (start) => function (source, target, opts, callback) {
+    const options = getOptions(opts);
+    source = toPouch(this, source, options);
+    target = toPouch(this, target, options);
+
+    const replication = start.call(this, source, target, opts, callback);
+    if (options.live) {
+      onLiveReplication([source, target], replication);
+    }
+    return replication;
+  };
+
+  if (typeof PouchDB.replicate === 'function') {
+    PouchDB.replicate = wrap(PouchDB.replicate);
+  }
+  if (typeof PouchDB.sync === 'function') {
+    PouchDB.sync = wrap(PouchDB.sync);
+  }
+};
+
+module.exports = {
+  wrapReplication,
+};
@@ -0,0 +1,115 @@
+const fs = require('node:fs/promises');
+
+/**
+ * Session stores hold sessions by session key. Every method may return a value or a Promise.
+ * get(key) => session | undefined
+ * set(key, session)
+ * delete(key)
+ * list() => [key]
+ */
+
+// stores whose sessions never leave the process
+const memoryStores = new WeakSet();
+
+const createMemoryStore = () => {
+  const sessions = {};
+
+  const store = {
+    get: key => sessions[key],
+    set: (key, session) => {
+      sessions[key] = session;
+    },
+    delete: key => {
+      delete sessions[key];
+    },
+    list: () => Object.keys(sessions),
+  };
+  memoryStores.add(store);
+  return store;
+};
+
+const isMemoryStore = (store) => memoryStores.has(store);
+
+const createFileStore = (filePath) => {
+  if (!filePath) {
+    throw new Error('File session store requires a file path');
+  }
+
+  // serializes reads and writes within one process, so concurrent updates don't overwrite each other
+  let queue = Promise.resolve();
+  // in-memory copy of the file. Sessions are only read from the file on load or when they're missing, as other
+  // processes might have stored them since. Updates read the file again, so they keep what other processes stored.
+  let sessions;
+
+  const read = async () => {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (err) {
+      // a missing or corrupted file is an empty cache
+      if (err.code === 'ENOENT' || err instanceof SyntaxError) {
+        return {};
+      }
+      throw err;
+    }
+  };
+
+  const write = async () => {
+    // write to a temporary file first, so other processes never read a partially written file
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(sessions), { mode: 0o600 });
+    await fs.rename(tempPath, filePath);
+  };
+
+  const load = async (reload = false) => {
+    if (!sessions || reload) {
+      sessions = await read();
+    }
+    return sessions;
+  };
+
+  const enqueue = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  // expired sessions are never used again. Without removing them, the file would keep growing with the sessions of
+  // processes that are gone.
+  const removeExpired = () => Object.keys(sessions).forEach(key => {
+    if (sessions[key]?.expires < Date.now()) {
+      delete sessions[key];
+    }
+  });
+
+  const update = (change) => enqueue(async () => {
+    change(await load(true));
+    removeExpired();
+    try {
+      await write();
+    } catch (err) {
+      // the file is read again, rather than keeping changes it doesn't have
+      sessions = undefined;
+      throw err;
+    }
+  });
+
+  return {
+    get: key => enqueue(async () => {
+      const cached = await load();
+      return Object.hasOwn(cached, key) ? cached[key] : (await load(true))[key];
+    }),
+    set: (key, session) => update(sessions => {
+      sessions[key] = session;
+    }),
+    delete: key => update(sessions => {
+      delete sessions[key];
+    }),
+    list: () => enqueue(async () => Object.keys(await load(true))),
+  };
+};
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  isMemoryStore,
+};
@@ -28,7 +28,7 @@ describe(`integration with ${authType}`, async function () {
   let tempAdminName;
   let tempDb;
 
-  const wrongAuthError = 'Authentication required.';
+  const wrongAuthError = 'Name or password is incorrect.';
 
   this.timeout(12000);
   before(async () => {
@@ -110,7 +110,7 @@ describe(`integration with ${authType}`, async function () {
     const logs = await collectLogs();
 
     expect(utils.getSessionRequests(logs, false).length).to.equal(1);
-    expect(utils.getDbRequest('undefined', logs, tempDbName, '/_all_docs', false).length).to.equal(2);
+    expect(utils.getDbRequest('undefined', logs, tempDbName, '/_all_docs', false).length).to.equal(1);
   });
 
   it('should throw errors on invalid credentials', async () => {
@@ -114,11 +114,11 @@ describe('session auth type', function () {
     const collectLogs = await utils.getDockerContainerLogs();
     await tempDb.allDocs();
     await utils.createAdmin(auth.username, 'password change');
-    await expect(tempDb.allDocs()).to.eventually.be.rejectedWith('Authentication required.');
+    await expect(tempDb.allDocs()).to.eventually.be.rejectedWith('Name or password is incorrect.');
     const logs = await collectLogs(1000);
 
     expect(utils.getSessionRequests(logs, false).length).to.equal(1);
-    expect(utils.getDbRequest('undefined', logs, tempDbName, '/_all_docs', false).length).to.equal(2);
+    expect(utils.getDbRequest('undefined', logs, tempDbName, '/_all_docs', false).length).to.equal(1);
   });
 
   it('should try to get session again if credentials are provided but session is expired', async () => {
@@ -145,7 +145,7 @@ describe('session auth type', function () {
     await utils.createAdmin(auth.username, 'password update');
 
     const collectLogs = await utils.getDockerContainerLogs();
-    await expect(tempDb.allDocs()).to.eventually.be.rejectedWith('Authentication required.');
+    await expect(tempDb.allDocs()).to.eventually.be.rejectedWith('Name or password is incorrect.');
     const logs = await collectLogs();
 
     expect(utils.getSessionRequests(logs, false).length).to.equal(1);
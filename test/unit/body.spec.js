@@ -0,0 +1,62 @@
+const { expect } = require('chai');
+const { Readable } = require('node:stream');
+
+const { getReplayableBody } = require('../../src/body');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+describe('Request body replay', () => {
+  it('should keep bodies that can be sent again', async () => {
+    const buffer = Buffer.from('attachment');
+    const params = new URLSearchParams({ a: 'b' });
+    expect(await getReplayableBody(undefined, 10)).to.deep.equal({ body: undefined, replayable: true });
+    expect(await getReplayableBody('{"docs":[]}', 10)).to.deep.equal({ body: '{"docs":[]}', replayable: true });
+    expect((await getReplayableBody(buffer, 1)).body).to.equal(buffer);
+    expect((await getReplayableBody(params, 1)).body).to.equal(params);
+  });
+
+  it('should buffer node streams within the limit', async () => {
+    const stream = Readable.from([Buffer.from('attach'), 'ment', new Uint8Array([33])]);
+    const { body, replayable } = await getReplayableBody(stream, 100);
+    expect(replayable).to.equal(true);
+    expect(Buffer.isBuffer(body)).to.equal(true);
+    expect(body.toString()).to.equal('attachment!');
+  });
+
+  it('should buffer web streams within the limit', async () => {
+    const stream = new ReadableStream({
+      start: (controller) => {
+        controller.enqueue(new TextEncoder().encode('attach'));
+        controller.enqueue(new TextEncoder().encode('ment'));
+        controller.close();
+      },
+    });
+    const { body, replayable } = await getReplayableBody(stream, 100);
+    expect(replayable).to.equal(true);
+    expect(body.toString()).to.equal('attachment');
+  });
+
+  it('should not buffer streams over the limit', async () => {
+    const stream = Readable.from([Buffer.from('attach'), Buffer.from('ment'), Buffer.from('!')]);
+    const { body, replayable } = await getReplayableBody(stream, 8);
+    expect(replayable).to.equal(false);
+    expect(body).to.not.equal(stream);
+    expect(await readAll(body)).to.equal('attachment!');
+  });
+
+  it('should not buffer streams when buffering is disabled', async () => {
+    const stream = Readable.from([Buffer.from('attachment')]);
+    expect(await getReplayableBody(stream, 0)).to.deep.equal({ body: stream, replayable: false });
+  });
+
+  it('should not buffer streams that cannot be iterated', async () => {
+    const stream = { getReader: () => {} };
+    expect(await getReplayableBody(stream, 100)).to.deep.equal({ body: stream, replayable: false });
+  });
+});
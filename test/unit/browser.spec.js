@@ -0,0 +1,201 @@
+const rewire = require('rewire');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const http = require('node:http');
+const { JSDOM } = require('jsdom');
+const { Headers } = require('pouchdb-fetch');
+
+// a CouchDb stand-in that issues a session per login and checks the session cookie of every other request
+const createServer = () => {
+  const sessions = {};
+  const requests = [];
+  let issued = 0;
+
+  const readBody = (req) => new Promise(resolve => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => resolve(body));
+  });
+
+  const getToken = (req) => req.headers.cookie?.match(/AuthSession=([^;]*)/)?.[1];
+
+  const send = (res, status, body, cookie) => {
+    if (cookie !== undefined) {
+      res.setHeader('Set-Cookie', `AuthSession=${cookie}; Version=1; Path=/; HttpOnly${cookie ? '' : '; Max-Age=0'}`);
+    }
+    res.setHeader('Content-Type', 'application/json');
+    res.statusCode = status;
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const body = await readBody(req);
+    requests.push({ method: req.method, url: req.url, user: sessions[getToken(req)] });
+
+    if (req.url === '/_session' && req.method === 'POST') {
+      const { name, password } = JSON.parse(body);
+      if (password !== 'pass') {
+        return send(res, 401, { error: 'unauthorized', reason: 'Name or password is incorrect.' });
+      }
+      const token = `${name}-${++issued}`;
+      sessions[token] = name;
+      return send(res, 200, { ok: true, name, roles: [] }, token);
+    }
+    if (req.url === '/_session' && req.method === 'DELETE') {
+      delete sessions[getToken(req)];
+      return send(res, 200, { ok: true }, '');
+    }
+    if (!sessions[getToken(req)]) {
+      return send(res, 401, { error: 'unauthorized', reason: 'You are not authorized to access this db.' });
+    }
+    send(res, 200, { ok: true, user: sessions[getToken(req)] });
+  });
+
+  return { server, requests };
+};
+
+const parseHeaders = (rawHeaders) => {
+  const headers = new Headers();
+  rawHeaders.split('\r\n').filter(line => line).forEach(line => {
+    const index = line.indexOf(':');
+    headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+  });
+  return headers;
+};
+
+describe('Browser cookie jar under jsdom', () => {
+  let plugin;
+  let PouchDb;
+  let server;
+  let requests;
+  let serverUrl;
+  let dom;
+  let requestHeaders;
+
+  // fetch over the jsdom XMLHttpRequest, that keeps cookies, drops the Cookie header and hides Set-Cookie like browsers
+  const browserFetch = (url, opts = {}) => new Promise((resolve, reject) => {
+    const xhr = new dom.window.XMLHttpRequest();
+    xhr.open(opts.method || 'GET', url);
+    xhr.withCredentials = opts.credentials === 'include';
+    new Headers(opts.headers).forEach((value, name) => {
+      requestHeaders.push(name.toLowerCase());
+      xhr.setRequestHeader(name, value);
+    });
+    xhr.onload = () => resolve({
+      ok: xhr.status >= 200 && xhr.status < 300,
+      status: xhr.status,
+      headers: parseHeaders(xhr.getAllResponseHeaders()),
+      json: async () => JSON.parse(xhr.responseText),
+    });
+    xhr.onerror = () => reject(new TypeError('Failed to fetch'));
+    xhr.send(opts.body);
+  });
+
+  const createDb = (username, dbName = 'mydb') => {
+    const db = { name: `${serverUrl}/${dbName}`, auth: { username, password: 'pass' }, sessionCookieJar: 'browser' };
+    const instance = new PouchDb.adapters.http(db);
+    return { db, instance };
+  };
+
+  const getBrowserCookie = () => dom.cookieJar.getCookieStringSync(serverUrl);
+
+  before((done) => {
+    ({ server, requests } = createServer());
+    server.listen(0, 'localhost', () => {
+      serverUrl = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+
+  after((done) => {
+    server.closeAllConnections?.();
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests.length = 0;
+    requestHeaders = [];
+    dom = new JSDOM('', { url: `${serverUrl}/` });
+    plugin = rewire('../../src/index');
+    PouchDb = {
+      fetch: browserFetch,
+      adapters: {
+        http: sinon.stub(),
+        https: sinon.stub(),
+      },
+    };
+    plugin(PouchDb);
+  });
+
+  afterEach(() => {
+    dom.window.close();
+    sinon.restore();
+  });
+
+  it('should leave the session cookie to the browser', async () => {
+    const { db, instance } = createDb('alice');
+
+    const response = await db.fetch(`${serverUrl}/mydb/_all_docs`);
+
+    expect(response.status).to.equal(200);
+    expect(response.headers.get('set-cookie')).to.equal(null);
+    expect(getBrowserCookie()).to.match(/^AuthSession=alice-\d+$/);
+    expect(requests.map(({ method, url, user }) => [method, url, user])).to.deep.equal([
+      ['POST', '/_session', undefined],
+      ['GET', '/mydb/_all_docs', 'alice'],
+    ]);
+    expect(requestHeaders).not.to.include('cookie');
+    expect(instance.sessionUser).to.deep.equal({ name: 'alice', roles: [] });
+  });
+
+  it('should reuse the browser session', async () => {
+    const { db } = createDb('alice');
+    const { db: otherDb } = createDb('alice', 'otherdb');
+
+    await db.fetch(`${serverUrl}/mydb/_all_docs`);
+    await otherDb.fetch(`${serverUrl}/otherdb/_all_docs`);
+    await db.fetch(`${serverUrl}/mydb/_all_docs`);
+
+    expect(requests.map(({ method, url }) => [method, url])).to.deep.equal([
+      ['POST', '/_session'],
+      ['GET', '/mydb/_all_docs'],
+      ['GET', '/otherdb/_all_docs'],
+      ['GET', '/mydb/_all_docs'],
+    ]);
+    expect(requestHeaders).not.to.include('cookie');
+  });
+
+  it('should send requests as the user of the database when users share the server', async () => {
+    const alice = createDb('alice');
+    const bob = createDb('bob', 'otherdb');
+
+    await alice.db.fetch(`${serverUrl}/mydb/_all_docs`);
+    await bob.db.fetch(`${serverUrl}/otherdb/_all_docs`);
+    const response = await alice.db.fetch(`${serverUrl}/mydb/_all_docs`);
+
+    expect((await response.json()).user).to.equal('alice');
+    expect(requests.filter(({ method }) => method === 'GET').map(({ url, user }) => [url, user])).to.deep.equal([
+      ['/mydb/_all_docs', 'alice'],
+      ['/otherdb/_all_docs', 'bob'],
+      ['/mydb/_all_docs', 'alice'],
+    ]);
+    expect(getBrowserCookie()).to.match(/^AuthSession=alice-\d+$/);
+    expect(alice.instance.sessionUser).to.deep.equal({ name: 'alice', roles: [] });
+    expect(requestHeaders).not.to.include('cookie');
+  });
+
+  it('should end the browser session when logging out', async () => {
+    const { db, instance } = createDb('alice');
+
+    await db.fetch(`${serverUrl}/mydb/_all_docs`);
+    await instance.logout();
+
+    expect(requests.map(({ method, user }) => [method, user])).to.deep.equal([
+      ['POST', undefined],
+      ['GET', 'alice'],
+      ['DELETE', 'alice'],
+    ]);
+    expect(getBrowserCookie()).to.equal('');
+    expect(requestHeaders).not.to.include('cookie');
+  });
+});
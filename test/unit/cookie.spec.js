@@ -0,0 +1,127 @@
+const { expect } = require('chai');
+const { Headers } = require('pouchdb-fetch');
+
+const { getSetCookieHeaders, parseSetCookie, findCookie, getCookieExpiry } = require('../../src/cookie');
+
+describe('Cookie parsing', () => {
+  describe('getSetCookieHeaders', () => {
+    it('should return nothing without headers', () => {
+      expect(getSetCookieHeaders()).to.deep.equal([]);
+      expect(getSetCookieHeaders(new Headers())).to.deep.equal([]);
+    });
+
+    it('should use getSetCookie when available', () => {
+      const headers = new globalThis.Headers();
+      headers.append('set-cookie', 'a=1; Expires=Wed, 08-Jan-2025 13:46:26 GMT');
+      headers.append('set-cookie', 'b=2');
+      expect(getSetCookieHeaders(headers)).to.deep.equal(['a=1; Expires=Wed, 08-Jan-2025 13:46:26 GMT', 'b=2']);
+    });
+
+    it('should use raw headers with node-fetch', () => {
+      const headers = new Headers();
+      headers.append('set-cookie', 'a=1; Expires=Wed, 08-Jan-2025 13:46:26 GMT');
+      headers.append('set-cookie', 'b=2');
+      expect(getSetCookieHeaders(headers)).to.deep.equal(['a=1; Expires=Wed, 08-Jan-2025 13:46:26 GMT', 'b=2']);
+    });
+
+    it('should split joined headers', () => {
+      const headers = {
+        get: () => 'a=1; Expires=Wed, 08-Jan-2025 13:46:26 GMT; Path=/, b=2, c="x,y"',
+      };
+      expect(getSetCookieHeaders(headers)).to.deep.equal([
+        'a=1; Expires=Wed, 08-Jan-2025 13:46:26 GMT; Path=/',
+        'b=2',
+        'c="x,y"',
+      ]);
+    });
+  });
+
+  describe('parseSetCookie', () => {
+    it('should parse name, value and expiry attributes', () => {
+      const cookie = parseSetCookie(
+        'AuthSession=YWRtaW46NjU5; Version=1; Expires=Wed, 08-Jan-2025 13:46:26 GMT; Max-Age=600; Path=/; HttpOnly'
+      );
+      expect(cookie).to.deep.equal({
+        name: 'AuthSession',
+        value: 'YWRtaW46NjU5',
+        expires: new Date('Wed, 08-Jan-2025 13:46:26 GMT').valueOf(),
+        maxAge: 600,
+      });
+    });
+
+    it('should handle missing attributes', () => {
+      expect(parseSetCookie('AuthSession=abc')).to.deep.equal({ name: 'AuthSession', value: 'abc' });
+      expect(parseSetCookie('AuthSession=abc; Max-Age=600')).to.deep.equal({
+        name: 'AuthSession',
+        value: 'abc',
+        maxAge: 600,
+      });
+    });
+
+    it('should unquote values', () => {
+      expect(parseSetCookie('AuthSession="abc="; Path=/')).to.deep.equal({ name: 'AuthSession', value: 'abc=' });
+    });
+
+    it('should match attribute names case-insensitively', () => {
+      expect(parseSetCookie('a=b; max-age=10; EXPIRES=Wed, 08-Jan-2025 13:46:26 GMT')).to.deep.equal({
+        name: 'a',
+        value: 'b',
+        maxAge: 10,
+        expires: new Date('Wed, 08-Jan-2025 13:46:26 GMT').valueOf(),
+      });
+    });
+
+    it('should ignore invalid attributes', () => {
+      expect(parseSetCookie('a=b; Max-Age=soon; Expires=never')).to.deep.equal({ name: 'a', value: 'b' });
+    });
+
+    it('should ignore cookies without a name', () => {
+      expect(parseSetCookie('abc')).to.equal(undefined);
+      expect(parseSetCookie('=abc')).to.equal(undefined);
+    });
+  });
+
+  describe('findCookie', () => {
+    it('should find the cookie among other cookies', () => {
+      const headers = new Headers();
+      headers.append('set-cookie', 'proxy=1; Path=/');
+      headers.append('set-cookie', 'AuthSession=abc; Max-Age=600');
+      headers.append('set-cookie', 'other=AuthSession=def');
+      expect(findCookie(headers, 'AuthSession')).to.deep.equal({ name: 'AuthSession', value: 'abc', maxAge: 600 });
+    });
+
+    it('should return the last cookie with the name', () => {
+      const headers = new Headers();
+      headers.append('set-cookie', 'AuthSession=abc');
+      headers.append('set-cookie', 'AuthSession=def');
+      expect(findCookie(headers, 'AuthSession').value).to.equal('def');
+    });
+
+    it('should return nothing when the cookie is missing', () => {
+      expect(findCookie(new Headers({ 'set-cookie': 'other=abc' }), 'AuthSession')).to.equal(undefined);
+    });
+  });
+
+  describe('getCookieExpiry', () => {
+    it('should prefer Max-Age over Expires', () => {
+      expect(getCookieExpiry({ maxAge: 600, expires: 1000 }, 5000)).to.equal(605000);
+    });
+
+    it('should use Expires without Max-Age', () => {
+      expect(getCookieExpiry({ expires: 1000 }, 5000)).to.equal(1000);
+    });
+
+    it('should use Expires relative to the server date', () => {
+      expect(getCookieExpiry({ expires: 61000 }, 5000, 1000)).to.equal(65000);
+    });
+
+    it('should prefer Max-Age over Expires relative to the server date', () => {
+      expect(getCookieExpiry({ maxAge: 600, expires: 61000 }, 5000, 1000)).to.equal(605000);
+    });
+
+    it('should return nothing without expiry attributes', () => {
+      expect(getCookieExpiry({}, 5000)).to.equal(undefined);
+      expect(getCookieExpiry({}, 5000, 1000)).to.equal(undefined);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const { expect } = require('chai');
+
+const { getJwtClaims, parseJwt } = require('../../src/jwt');
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const createJwt = (claims) => `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}.signature`;
+
+describe('JWT parsing', () => {
+  it('should read the token claims', () => {
+    const token = createJwt({ sub: 'ünicode user', exp: 1704635186, iat: 1704634586, '_couchdb.roles': ['a'] });
+    expect(getJwtClaims(token)).to.deep.equal({
+      sub: 'ünicode user',
+      exp: 1704635186,
+      iat: 1704634586,
+      '_couchdb.roles': ['a'],
+    });
+  });
+
+  it('should return no claims for invalid tokens', () => {
+    expect(getJwtClaims('not a token')).to.deep.equal({});
+    expect(getJwtClaims('a.b.c')).to.deep.equal({});
+    expect(getJwtClaims(`a.${Buffer.from('null').toString('base64url')}.c`)).to.deep.equal({});
+  });
+
+  it('should get the token expiry, issue time and subject', () => {
+    const token = createJwt({ sub: 'user', exp: 1704635186, iat: 1704634586 });
+    expect(parseJwt(token)).to.deep.equal({
+      token,
+      expires: 1704635186000,
+      issued: 1704634586000,
+      username: 'user',
+    });
+  });
+
+  it('should not expire tokens without expiry', () => {
+    const token = createJwt({ sub: 'user' });
+    expect(parseJwt(token)).to.deep.equal({
+      token,
+      expires: Number.MAX_SAFE_INTEGER,
+      issued: undefined,
+      username: 'user',
+    });
+  });
+});
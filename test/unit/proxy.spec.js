@@ -0,0 +1,32 @@
+const { expect } = require('chai');
+const crypto = require('node:crypto');
+
+const { getProxyAuthHeaders } = require('../../src/proxy');
+
+describe('Proxy authentication', () => {
+  it('should require a username', () => {
+    expect(() => getProxyAuthHeaders()).to.throw('Proxy authentication requires a username');
+    expect(() => getProxyAuthHeaders({ roles: ['a'] })).to.throw('Proxy authentication requires a username');
+  });
+
+  it('should sign the username with the secret', () => {
+    const headers = getProxyAuthHeaders({ username: 'service', roles: ['reader', 'writer'], secret: 'shh' });
+    expect(headers).to.deep.equal({
+      'X-Auth-CouchDB-UserName': 'service',
+      'X-Auth-CouchDB-Roles': 'reader,writer',
+      'X-Auth-CouchDB-Token': crypto.createHmac('sha256', 'shh').update('service').digest('hex'),
+    });
+  });
+
+  it('should use the given algorithm', () => {
+    const headers = getProxyAuthHeaders({ username: 'service', secret: 'shh', algorithm: 'sha1' });
+    expect(headers['X-Auth-CouchDB-Token']).to.equal(crypto.createHmac('sha1', 'shh').update('service').digest('hex'));
+  });
+
+  it('should not send a token without a secret', () => {
+    expect(getProxyAuthHeaders({ username: 'service' })).to.deep.equal({
+      'X-Auth-CouchDB-UserName': 'service',
+      'X-Auth-CouchDB-Roles': '',
+    });
+  });
+});
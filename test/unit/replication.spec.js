@@ -0,0 +1,89 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const { wrapReplication } = require('../../src/replication');
+
+describe('Replication wrapping', () => {
+  let PouchDB;
+  let replicate;
+  let sync;
+  let onLiveReplication;
+
+  beforeEach(() => {
+    replicate = sinon.stub().returns('replication');
+    sync = sinon.stub().returns('sync');
+    onLiveReplication = sinon.stub();
+    PouchDB = sinon.stub();
+    PouchDB.replicate = replicate;
+    PouchDB.sync = sync;
+  });
+
+  it('should report live replications', () => {
+    wrapReplication(PouchDB, onLiveReplication);
+    const source = {};
+    const target = {};
+    const callback = sinon.stub();
+
+    expect(PouchDB.replicate(source, target, { live: true }, callback)).to.equal('replication');
+
+    expect(replicate.args).to.deep.equal([[source, target, { live: true }, callback]]);
+    expect(replicate.thisValues[0]).to.equal(PouchDB);
+    expect(onLiveReplication.args).to.deep.equal([[[source, target], 'replication']]);
+  });
+
+  it('should report live syncs', () => {
+    wrapReplication(PouchDB, onLiveReplication);
+    const source = {};
+    const target = {};
+
+    expect(PouchDB.sync(source, target, { live: true })).to.equal('sync');
+
+    expect(sync.args).to.deep.equal([[source, target, { live: true }, undefined]]);
+    expect(onLiveReplication.args).to.deep.equal([[[source, target], 'sync']]);
+  });
+
+  it('should not report replications that are not live', () => {
+    wrapReplication(PouchDB, onLiveReplication);
+    const callback = sinon.stub();
+
+    PouchDB.replicate({}, {});
+    PouchDB.replicate({}, {}, callback);
+    PouchDB.sync({}, {}, { live: false });
+
+    expect(replicate.args[1][2]).to.equal(callback);
+    expect(onLiveReplication.callCount).to.equal(0);
+  });
+
+  it('should create databases given by name', () => {
+    wrapReplication(PouchDB, onLiveReplication);
+    const target = {};
+    const created = {};
+    PouchDB.returns(created);
+
+    PouchDB.replicate('http://localhost:5984/mydb', target, { live: true });
+
+    expect(PouchDB.calledWithNew()).to.equal(true);
+    expect(PouchDB.args).to.deep.equal([['http://localhost:5984/mydb', { live: true }]]);
+    expect(replicate.args[0][0]).to.equal(created);
+    expect(onLiveReplication.args[0][0]).to.deep.equal([created, target]);
+  });
+
+  it('should create databases with the given constructor', () => {
+    wrapReplication(PouchDB, onLiveReplication);
+    const created = {};
+    const PouchConstructor = sinon.stub().returns(created);
+
+    PouchDB.sync({}, 'http://localhost:5984/mydb', { live: true, PouchConstructor });
+
+    expect(PouchConstructor.callCount).to.equal(1);
+    expect(PouchDB.callCount).to.equal(0);
+    expect(sync.args[0][1]).to.equal(created);
+  });
+
+  it('should do nothing without the replication plugin', () => {
+    PouchDB = {};
+    wrapReplication(PouchDB, onLiveReplication);
+
+    expect(PouchDB).to.deep.equal({});
+  });
+});
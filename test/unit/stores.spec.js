@@ -0,0 +1,177 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('node:fs');
+const fsPromises = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+
+const { createMemoryStore, createFileStore } = require('../../src/stores');
+
+describe('Session stores', () => {
+  describe('memory store', () => {
+    it('should get, set, list and delete sessions', () => {
+      const store = createMemoryStore();
+      expect(store.get('key1')).to.equal(undefined);
+      expect(store.list()).to.deep.equal([]);
+
+      store.set('key1', { token: 'a', expires: 100 });
+      store.set('key2', { token: 'b', expires: 200 });
+      expect(store.get('key1')).to.deep.equal({ token: 'a', expires: 100 });
+      expect(store.list()).to.deep.equal(['key1', 'key2']);
+
+      store.delete('key1');
+      expect(store.get('key1')).to.equal(undefined);
+      expect(store.list()).to.deep.equal(['key2']);
+    });
+
+    it('should not share sessions between stores', () => {
+      const store1 = createMemoryStore();
+      const store2 = createMemoryStore();
+      store1.set('key', { token: 'a', expires: 100 });
+      expect(store2.get('key')).to.equal(undefined);
+    });
+  });
+
+  describe('file store', () => {
+    const future = Date.now() + 60 * 1000;
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-'));
+      filePath = path.join(dir, 'sessions.json');
+    });
+    afterEach(() => {
+      sinon.restore();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should require a file path', () => {
+      expect(() => createFileStore()).to.throw('File session store requires a file path');
+    });
+
+    it('should get, set, list and delete sessions', async () => {
+      const store = createFileStore(filePath);
+      expect(await store.get('key1')).to.equal(undefined);
+      expect(await store.list()).to.deep.equal([]);
+
+      await store.set('key1', { token: 'a', expires: future + 100 });
+      await store.set('key2', { token: 'b', expires: future + 200 });
+      expect(await store.get('key1')).to.deep.equal({ token: 'a', expires: future + 100 });
+      expect(await store.list()).to.deep.equal(['key1', 'key2']);
+
+      await store.delete('key1');
+      expect(await store.get('key1')).to.equal(undefined);
+      expect(await store.list()).to.deep.equal(['key2']);
+    });
+
+    it('should persist sessions across store instances', async () => {
+      await createFileStore(filePath).set('key', { token: 'a', expires: future + 100 });
+      expect(await createFileStore(filePath).get('key')).to.deep.equal({ token: 'a', expires: future + 100 });
+    });
+
+    it('should read sessions it has from memory', async () => {
+      fs.writeFileSync(filePath, JSON.stringify({ key: { token: 'a', expires: future + 100 } }));
+      const readFile = sinon.spy(fsPromises, 'readFile');
+      const store = createFileStore(filePath);
+
+      expect(await store.get('key')).to.deep.equal({ token: 'a', expires: future + 100 });
+      await store.set('key', { token: 'b', expires: future + 200 });
+      expect(await store.get('key')).to.deep.equal({ token: 'b', expires: future + 200 });
+
+      // once to load the copy, once to update the file
+      expect(readFile.callCount).to.equal(2);
+      const contents = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      expect(contents).to.deep.equal({ key: { token: 'b', expires: future + 200 } });
+    });
+
+    it('should read sessions that other processes stored', async () => {
+      const store = createFileStore(filePath);
+      expect(await store.get('key')).to.equal(undefined);
+
+      await createFileStore(filePath).set('key', { token: 'a', expires: future + 100 });
+
+      expect(await store.get('key')).to.deep.equal({ token: 'a', expires: future + 100 });
+      expect(await store.list()).to.deep.equal(['key']);
+    });
+
+    it('should read the file again after a failed write', async () => {
+      const store = createFileStore(filePath);
+      await store.set('key1', { token: 'a', expires: future + 100 });
+      sinon.stub(fsPromises, 'rename').rejects(new Error('disk full'));
+
+      try {
+        await store.set('key2', { token: 'b', expires: future + 200 });
+        expect.fail('should have thrown');
+      } catch (err) {
+        expect(err.message).to.equal('disk full');
+      }
+
+      sinon.restore();
+      expect(await store.list()).to.deep.equal(['key1']);
+    });
+
+    it('should remove expired sessions when writing', async () => {
+      fs.writeFileSync(filePath, JSON.stringify({ expired: { token: 'a', expires: Date.now() - 1000 } }));
+      const store = createFileStore(filePath);
+
+      await store.set('key', { token: 'b', expires: future });
+
+      expect(await store.list()).to.deep.equal(['key']);
+    });
+
+    it('should keep sessions without an expiry', async () => {
+      const store = createFileStore(filePath);
+      await store.set('key1', { token: 'a' });
+      await store.set('key2', { token: 'b', expires: future });
+
+      expect(await store.list()).to.deep.equal(['key1', 'key2']);
+    });
+
+    it('should not lose concurrent writes', async () => {
+      const store = createFileStore(filePath);
+      await Promise.all([
+        store.set('key1', { token: 'a', expires: future + 100 }),
+        store.set('key2', { token: 'b', expires: future + 200 }),
+        store.set('key3', { token: 'c', expires: future + 300 }),
+        store.delete('key2'),
+      ]);
+      expect(await store.list()).to.deep.equal(['key1', 'key3']);
+    });
+
+    it('should keep the sessions other store instances wrote', async () => {
+      const store1 = createFileStore(filePath);
+      const store2 = createFileStore(filePath);
+      expect(await store1.get('key1')).to.equal(undefined);
+      expect(await store2.get('key2')).to.equal(undefined);
+
+      await store1.set('key1', { token: 'a', expires: future + 100 });
+      await store2.set('key2', { token: 'b', expires: future + 200 });
+      await store1.delete('key3');
+
+      const restarted = createFileStore(filePath);
+      expect(await restarted.get('key1')).to.deep.equal({ token: 'a', expires: future + 100 });
+      expect(await restarted.get('key2')).to.deep.equal({ token: 'b', expires: future + 200 });
+      expect(await store1.list()).to.deep.equal(['key1', 'key2']);
+    });
+
+    it('should treat a corrupted file as empty', async () => {
+      fs.writeFileSync(filePath, '{ not json');
+      const store = createFileStore(filePath);
+      expect(await store.get('key')).to.equal(undefined);
+      await store.set('key', { token: 'a', expires: future + 100 });
+      expect(await store.get('key')).to.deep.equal({ token: 'a', expires: future + 100 });
+    });
+
+    it('should throw other read errors', async () => {
+      fs.mkdirSync(filePath);
+      const store = createFileStore(filePath);
+      try {
+        await store.get('key');
+        expect.fail('should have thrown');
+      } catch (err) {
+        expect(err.code).to.equal('EISDIR');
+      }
+    });
+  });
+});